@@ -27,6 +27,7 @@
 
     /**
      * Fetch wrapper with error handling
+     * Rejected errors carry `status` and, when the body provides one, `description`
      * @param {string} url - URL to fetch
      * @param {Object} options - Fetch options
      * @returns {Promise}
@@ -42,7 +43,20 @@
       const response = await fetch(url, { ...defaultOptions, ...options });
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+
+        // Shopify's AJAX API describes 4xx failures (e.g. sold out) in the body
+        try {
+          const body = await response.json();
+          error.description = body.description || body.message;
+          // Cart writes the service worker queued while offline
+          error.queued = Boolean(body.queued);
+        } catch (e) {
+          // Non-JSON error body
+        }
+
+        throw error;
       }
 
       return response.json();
@@ -52,11 +66,12 @@
      * Get section HTML via Section Rendering API
      * @param {string} sectionId - Section ID to fetch
      * @param {string} url - URL to fetch from
+     * @param {Object} options - Fetch options (e.g. an AbortController signal)
      * @returns {Promise<string>}
      */
-    async fetchSection(sectionId, url = window.location.href) {
+    async fetchSection(sectionId, url = window.location.href, options = {}) {
       const separator = url.includes('?') ? '&' : '?';
-      const response = await fetch(`${url}${separator}sections=${sectionId}`);
+      const response = await fetch(`${url}${separator}sections=${sectionId}`, options);
 
       if (!response.ok) {
         throw new Error(`Failed to fetch section: ${sectionId}`);
@@ -102,32 +117,155 @@
     },
 
     /**
-     * Format money according to Shopify's money format
-     * @param {number} cents - Amount in cents
-     * @param {string} format - Money format string
+     * Format money according to Shopify's money format.
+     * Every Shopify placeholder is supported, e.g. {{ amount_with_space_separator }}.
+     * @param {number|string} cents - Amount in cents
+     * @param {string} format - Money format string (defaults to the shop's)
      * @returns {string}
      */
-    formatMoney(cents, format = window.Shopify?.moneyFormat || '${{amount}}') {
-      if (typeof cents === 'string') {
-        cents = cents.replace('.', '');
-      }
+    formatMoney(cents, format = getMoneyFormats().format) {
+      const amount = toCents(cents);
 
-      const value = cents / 100;
+      return format.replace(/\{\{\s*(\w+)\s*\}\}/, (match, placeholder) => {
+        const formatter = MONEY_PLACEHOLDERS[placeholder];
+        return formatter ? formatter(amount) : match;
+      });
+    },
 
-      const formatters = {
-        amount: value.toFixed(2).replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,'),
-        amount_no_decimals: Math.floor(value).toString().replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,'),
-        amount_with_comma_separator: value.toFixed(2).replace('.', ',').replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1.'),
-        amount_no_decimals_with_comma_separator: Math.floor(value).toString().replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1.')
-      };
+    /**
+     * Format money with the shop's money_with_currency_format (e.g. "$10.00 USD")
+     * @param {number|string} cents - Amount in cents
+     * @returns {string}
+     */
+    formatMoneyWithCurrency(cents) {
+      return this.formatMoney(cents, getMoneyFormats().withCurrencyFormat);
+    },
 
-      let formattedValue = format;
+    /**
+     * Format money with Intl.NumberFormat in the active presentment currency
+     * @param {number|string} cents - Amount in cents
+     * @param {Object} options - Intl.NumberFormat options plus `locale`
+     * @returns {string}
+     */
+    formatCurrency(cents, { locale, ...options } = {}) {
+      const formatter = new Intl.NumberFormat(locale || document.documentElement.lang || undefined, {
+        style: 'currency',
+        currency: window.Shopify?.currency?.active || getMoneyFormats().currency || 'USD',
+        ...options
+      });
 
-      for (const [key, val] of Object.entries(formatters)) {
-        formattedValue = formattedValue.replace(`{{${key}}}`, val);
-      }
+      return formatter.format(toCents(cents) / 100);
+    }
+  };
+
+  /* --------------------------------------------------------------------------
+     Money Formatting
+     -------------------------------------------------------------------------- */
 
-      return formattedValue;
+  /**
+   * Money formats written into the layout by Liquid (window.theme.money)
+   * @returns {Object} - { format, withCurrencyFormat, currency }
+   */
+  function getMoneyFormats() {
+    const money = window.theme?.money || {};
+
+    const format = money.format || window.Shopify?.money_format || '${{amount}}';
+
+    return {
+      format,
+      withCurrencyFormat: money.withCurrencyFormat || format,
+      currency: money.currency
+    };
+  }
+
+  /**
+   * Normalise an amount to integer cents ("10.00" and 1000 both mean $10)
+   * @param {number|string} cents - Amount
+   * @returns {number}
+   */
+  function toCents(cents) {
+    if (typeof cents === 'string') {
+      cents = cents.replace('.', '');
+    }
+
+    return Number(cents) || 0;
+  }
+
+  /**
+   * Format cents with thousands and decimal delimiters
+   * @param {number} cents - Amount in cents
+   * @param {number} precision - Decimal places
+   * @param {string} thousands - Thousands separator
+   * @param {string} decimal - Decimal separator
+   * @returns {string}
+   */
+  function formatWithDelimiters(cents, precision, thousands = ',', decimal = '.') {
+    const [whole, fraction] = (cents / 100).toFixed(precision).split('.');
+    const grouped = whole.replace(/(\d)(?=(\d{3})+(?!\d))/g, `$1${thousands}`);
+
+    return fraction ? `${grouped}${decimal}${fraction}` : grouped;
+  }
+
+  const MONEY_PLACEHOLDERS = {
+    amount: cents => formatWithDelimiters(cents, 2),
+    amount_no_decimals: cents => formatWithDelimiters(cents, 0),
+    amount_with_comma_separator: cents => formatWithDelimiters(cents, 2, '.', ','),
+    amount_no_decimals_with_comma_separator: cents => formatWithDelimiters(cents, 0, '.', ','),
+    amount_with_space_separator: cents => formatWithDelimiters(cents, 2, ' ', ','),
+    amount_no_decimals_with_space_separator: cents => formatWithDelimiters(cents, 0, ' ', ','),
+    amount_with_apostrophe_separator: cents => formatWithDelimiters(cents, 2, "'", '.'),
+    amount_no_decimals_with_apostrophe_separator: cents => formatWithDelimiters(cents, 0, "'", '.'),
+    amount_with_period_and_space_separator: cents => formatWithDelimiters(cents, 2, ' ', '.')
+  };
+
+  /* --------------------------------------------------------------------------
+     Cart Store
+     -------------------------------------------------------------------------- */
+
+  const CartStore = {
+    cart: null,
+    listeners: new Set(),
+    channel: 'BroadcastChannel' in window ? new BroadcastChannel('theme-cart') : null,
+
+    /**
+     * Get the latest known cart
+     * @returns {Object|null} - Null until the cart has been fetched or changed
+     */
+    getState() {
+      return this.cart;
+    },
+
+    /**
+     * Subscribe to cart changes
+     * @param {Function} callback - Called with (cart, detail)
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+      this.listeners.add(callback);
+      return () => this.listeners.delete(callback);
+    },
+
+    /**
+     * Store a cart, notify subscribers and emit cart:updated.
+     * Reads (get, sync) that find the cart unchanged stay silent.
+     * @param {Object} cart - Cart object from the AJAX API
+     * @param {Object} detail - { action, source, response } describing the change
+     */
+    set(cart, detail = {}) {
+      const changed = JSON.stringify(cart) !== JSON.stringify(this.cart);
+      const isRead = detail.action === 'get' || detail.action === 'sync';
+
+      this.cart = cart;
+
+      if (isRead && !changed) return;
+
+      this.listeners.forEach(callback => callback(cart, detail));
+      Events.dispatch('cart:updated', { cart, ...detail });
+
+      // Keep other open tabs in step; synced carts are not echoed back
+      if (changed && detail.action !== 'sync') {
+        this.channel?.postMessage({ cart });
+      }
     }
   };
 
@@ -135,60 +273,87 @@
      Cart API
      -------------------------------------------------------------------------- */
 
+  /**
+   * Run a cart request and publish the outcome through the store and events
+   * @param {string} action - get, add, update, change or clear
+   * @param {Function} request - Returns the request promise
+   * @param {Object} options - { source } names the calling component
+   * @returns {Promise<Object>} - The request's own response
+   */
+  async function runCartRequest(action, request, { source } = {}) {
+    try {
+      const response = await request();
+
+      // /cart/add.js responds with the added items, not the cart
+      const cart = action === 'add' ? await Utils.fetchJSON('/cart.js') : response;
+      CartStore.set(cart, { action, source, response });
+
+      return response;
+    } catch (error) {
+      Events.dispatch('cart:error', { error, action, source });
+      throw error;
+    }
+  }
+
   const CartAPI = {
     /**
      * Get cart contents
+     * @param {Object} options - { source }
      * @returns {Promise<Object>}
      */
-    async get() {
-      return Utils.fetchJSON('/cart.js');
+    async get(options) {
+      return runCartRequest('get', () => Utils.fetchJSON('/cart.js'), options);
     },
 
     /**
      * Add item to cart
      * @param {Object} item - Item to add
+     * @param {Object} options - { source }
      * @returns {Promise<Object>}
      */
-    async add(item) {
-      return Utils.fetchJSON('/cart/add.js', {
+    async add(item, options) {
+      return runCartRequest('add', () => Utils.fetchJSON('/cart/add.js', {
         method: 'POST',
         body: JSON.stringify(item)
-      });
+      }), options);
     },
 
     /**
      * Update cart item
      * @param {Object} updates - Updates to apply
+     * @param {Object} options - { source }
      * @returns {Promise<Object>}
      */
-    async update(updates) {
-      return Utils.fetchJSON('/cart/update.js', {
+    async update(updates, options) {
+      return runCartRequest('update', () => Utils.fetchJSON('/cart/update.js', {
         method: 'POST',
         body: JSON.stringify(updates)
-      });
+      }), options);
     },
 
     /**
      * Change cart item quantity
      * @param {string} key - Line item key
      * @param {number} quantity - New quantity
+     * @param {Object} options - { source }
      * @returns {Promise<Object>}
      */
-    async change(key, quantity) {
-      return Utils.fetchJSON('/cart/change.js', {
+    async change(key, quantity, options) {
+      return runCartRequest('change', () => Utils.fetchJSON('/cart/change.js', {
         method: 'POST',
         body: JSON.stringify({ id: key, quantity })
-      });
+      }), options);
     },
 
     /**
      * Clear cart
+     * @param {Object} options - { source }
      * @returns {Promise<Object>}
      */
-    async clear() {
-      return Utils.fetchJSON('/cart/clear.js', {
+    async clear(options) {
+      return runCartRequest('clear', () => Utils.fetchJSON('/cart/clear.js', {
         method: 'POST'
-      });
+      }), options);
     }
   };
 
@@ -218,6 +383,110 @@
     }
   };
 
+  /* --------------------------------------------------------------------------
+     Component Registry
+     Mounts one instance per element and follows theme editor section events.
+     Components are classes taking the element; optional hooks: destroy(),
+     onSelect(e), onDeselect(e), onReorder(e), onBlockSelect(e), onBlockDeselect(e)
+     -------------------------------------------------------------------------- */
+
+  const Components = {
+    definitions: new Map(),
+    instances: new Map(),
+
+    /**
+     * Register a component and mount it on matching elements
+     * @param {string} name - Component name
+     * @param {Object} definition - { selector, component }
+     */
+    register(name, { selector, component }) {
+      this.definitions.set(name, { selector, component });
+
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this.mount(document));
+      } else {
+        this.mount(document);
+      }
+    },
+
+    /**
+     * Mount registered components inside a root, skipping mounted elements
+     * @param {Element|Document} root - Element to search
+     */
+    mount(root) {
+      this.definitions.forEach(({ selector, component }, name) => {
+        const elements = [...root.querySelectorAll(selector)];
+        if (root.matches?.(selector)) elements.unshift(root);
+
+        elements.forEach(element => {
+          if (this.instances.has(element)) return;
+
+          try {
+            this.instances.set(element, { name, instance: new component(element) });
+          } catch (error) {
+            console.error(`Failed to mount ${name}:`, error);
+          }
+        });
+      });
+    },
+
+    /**
+     * Destroy component instances inside a root
+     * @param {Element} root - Element being removed
+     */
+    unmount(root) {
+      this.instances.forEach(({ instance }, element) => {
+        if (!root.contains(element)) return;
+
+        instance.destroy?.();
+        this.instances.delete(element);
+      });
+    },
+
+    /**
+     * Get the instance mounted on an element
+     * @param {Element} element - Mounted element
+     * @returns {Object|undefined}
+     */
+    get(element) {
+      return this.instances.get(element)?.instance;
+    },
+
+    /**
+     * Call a hook on every instance inside a root
+     * @param {Element} root - Section element
+     * @param {string} hook - Method name
+     * @param {Event} event - Theme editor event
+     */
+    notify(root, hook, event) {
+      if (!root) return;
+
+      this.instances.forEach(({ instance }, element) => {
+        if (root.contains(element)) instance[hook]?.(event);
+      });
+    },
+
+    /**
+     * Follow theme editor lifecycle events
+     */
+    listen() {
+      const sectionOf = (event) => document.getElementById(`shopify-section-${event.detail.sectionId}`);
+
+      document.addEventListener('shopify:section:load', (e) => this.mount(e.target));
+      document.addEventListener('shopify:section:unload', (e) => this.unmount(e.target));
+      document.addEventListener('shopify:section:select', (e) => this.notify(e.target, 'onSelect', e));
+      document.addEventListener('shopify:section:deselect', (e) => this.notify(e.target, 'onDeselect', e));
+      document.addEventListener('shopify:section:reorder', (e) => {
+        this.mount(e.target);
+        this.notify(e.target, 'onReorder', e);
+      });
+      document.addEventListener('shopify:block:select', (e) => this.notify(sectionOf(e), 'onBlockSelect', e));
+      document.addEventListener('shopify:block:deselect', (e) => this.notify(sectionOf(e), 'onBlockDeselect', e));
+    }
+  };
+
+  Components.listen();
+
   /* --------------------------------------------------------------------------
      Expose to Global Scope
      -------------------------------------------------------------------------- */
@@ -225,12 +494,58 @@
   window.theme = window.theme || {};
   window.theme.Utils = Utils;
   window.theme.CartAPI = CartAPI;
+  window.theme.CartStore = CartStore;
+  window.theme.Components = Components;
   window.theme.Events = Events;
 
   /* --------------------------------------------------------------------------
      Initialize
      -------------------------------------------------------------------------- */
 
+  // Header cart counts follow the store
+  CartStore.subscribe((cart) => {
+    document.querySelectorAll('[data-cart-count]').forEach(el => {
+      el.textContent = cart.item_count;
+      el.dataset.cartCount = cart.item_count;
+    });
+  });
+
+  // Carts changed in another tab
+  CartStore.channel?.addEventListener('message', (event) => {
+    if (event.data?.cart) {
+      CartStore.set(event.data.cart, { action: 'sync', source: 'broadcast' });
+    }
+  });
+
+  // Offline cart writes replayed by the service worker. Each replay is
+  // announced with cart:queue-replayed so UI can confirm or roll back, then
+  // the store is refreshed from the server.
+  if ('serviceWorker' in navigator) {
+    const refreshAfterReplay = Utils.debounce(() => {
+      CartAPI.get({ source: 'offline-queue' }).catch(() => {});
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type !== 'CART_SYNC') return;
+
+      const { id, action, ok, status, data } = event.data;
+      Events.dispatch('cart:queue-replayed', { id, action, ok, status, response: data });
+      refreshAfterReplay();
+    });
+
+    // Covers browsers without background sync
+    window.addEventListener('online', () => {
+      navigator.serviceWorker.controller?.postMessage({ type: 'REPLAY_CART_QUEUE' });
+    });
+  }
+
+  // Pages restored from the back/forward cache may show an old cart
+  window.addEventListener('pageshow', (event) => {
+    if (event.persisted) {
+      CartAPI.get().catch(() => {});
+    }
+  });
+
   document.addEventListener('DOMContentLoaded', () => {
     // Emit ready event
     Events.dispatch('theme:ready');
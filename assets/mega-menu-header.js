@@ -3,10 +3,13 @@
  * Based on Valero.com navigation pattern
  *
  * Features:
- * - Hover-triggered mega dropdowns (desktop)
+ * - Hover-triggered mega dropdowns with menu aim (desktop)
+ * - Prefetches the links of an open dropdown
+ * - Lazy-loaded dropdown panels via the Section Rendering API
  * - Click-triggered mobile menu
- * - Keyboard navigation & accessibility
- * - Search panel toggle
+ * - WAI-ARIA menubar keyboard model (arrows, Home/End, typeahead)
+ * - Delegated events that survive breakpoint changes
+ * - Search panel toggle with predictive search and recent searches
  * - Focus management
  */
 
@@ -17,10 +20,38 @@
   const CONFIG = {
     hoverDelay: 150,        // Delay before showing dropdown on hover
     hoverOutDelay: 300,     // Delay before hiding dropdown when mouse leaves
+    menuAimDelay: 300,      // Delay before re-checking while heading to a panel
+    menuAimTolerance: 75,   // Extra px either side of the panel's top edge
+    menuAimHistory: 3,      // Mouse positions kept for menu aim
+    prefetchLimit: 4,       // Links prefetched per dropdown panel
     breakpoint: 1024,       // Mobile/desktop breakpoint
+    predictiveDelay: 300,   // Debounce for predictive search requests
+    predictiveLimit: 4,     // Results per resource type
+    recentSearchesKey: 'theme-recent-searches',
+    recentSearchesLimit: 5,
+    panelCachePrefix: 'theme-mega-menu-panels:',
     focusTrapSelector: 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])'
   };
 
+  /**
+   * Whether point p lies inside triangle abc (edges included)
+   * @param {Object} p - { x, y }
+   * @param {Object} a - { x, y }
+   * @param {Object} b - { x, y }
+   * @param {Object} c - { x, y }
+   * @returns {boolean}
+   */
+  function isInTriangle(p, a, b, c) {
+    const cross = (o, u, v) => (u.x - o.x) * (v.y - o.y) - (u.y - o.y) * (v.x - o.x);
+    const d1 = cross(p, a, b);
+    const d2 = cross(p, b, c);
+    const d3 = cross(p, c, a);
+    const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+
+    return !(hasNegative && hasPositive);
+  }
+
   /**
    * MegaMenuHeader Class
    * Manages all header functionality
@@ -33,45 +64,63 @@
       // Elements
       this.nav = element.querySelector('[data-mega-nav]');
       this.dropdownItems = element.querySelectorAll('[data-mega-dropdown]');
+      this.menubarItems = this.nav ? [...this.nav.querySelectorAll('[data-menubar-item]')] : [];
       this.mobileToggle = element.querySelector('[data-mobile-toggle]');
       this.mobileMenu = document.getElementById('mobile-menu');
       this.searchToggle = element.querySelector('[data-search-toggle]');
       this.searchPanel = document.getElementById('header-search');
       this.searchClose = element.querySelector('[data-search-close]');
+      this.searchForm = this.searchPanel?.querySelector('form');
+      this.searchInput = this.searchPanel?.querySelector('[data-predictive-search-input]');
+      this.predictiveResults = this.searchPanel?.querySelector('[data-predictive-search]');
+      this.predictiveStatus = this.searchPanel?.querySelector('[data-predictive-search-status]');
       this.overlay = document.querySelector('[data-mega-overlay]');
 
       // State
       this.activeDropdown = null;
       this.hoverTimeout = null;
+      this.selectedBlockItem = null;
+      this.predictiveController = null;
+      this.activeOptionIndex = -1;
       this.isDesktop = window.innerWidth >= CONFIG.breakpoint;
+      this.menuAim = element.hasAttribute('data-menu-aim');
+      this.mouseLocations = [];
+      this.lastAimLocation = null;
+      this.prefetchLinks = element.hasAttribute('data-prefetch-links') &&
+        !navigator.connection?.saveData;
+      this.prefetchedUrls = new Set();
+      this.panelsRequest = null;
 
       this.init();
     }
 
     init() {
+      this.setupMenubar();
       this.bindEvents();
+      this.setupPredictiveSearch();
       this.setupMobileSubmenus();
       this.handleResize();
     }
 
-    bindEvents() {
-      // Desktop dropdown events
-      this.dropdownItems.forEach(item => {
-        const toggle = item.querySelector('[data-dropdown-toggle]');
-        const panel = item.querySelector('[data-dropdown-panel]');
-
-        if (this.isDesktop) {
-          // Hover events for desktop
-          item.addEventListener('mouseenter', () => this.handleDropdownEnter(item, panel));
-          item.addEventListener('mouseleave', () => this.handleDropdownLeave(item, panel));
-        }
-
-        // Click/keyboard events for toggle button
-        if (toggle) {
-          toggle.addEventListener('click', (e) => this.handleDropdownClick(e, item, panel));
-          toggle.addEventListener('keydown', (e) => this.handleDropdownKeydown(e, item, panel));
-        }
+    // Roving tabindex: only one top-level item is in the tab order
+    setupMenubar() {
+      this.menubarItems.forEach((menuItem, index) => {
+        menuItem.tabIndex = index === 0 ? 0 : -1;
       });
+    }
+
+    bindEvents() {
+      // Desktop dropdown events are delegated to the nav, so they survive
+      // breakpoint changes and never replace nodes other code listens to
+      if (this.nav) {
+        this.nav.addEventListener('click', (e) => this.handleNavClick(e));
+        this.nav.addEventListener('keydown', (e) => this.handleNavKeydown(e));
+        this.nav.addEventListener('mouseover', (e) => this.handleNavHover(e, true));
+        this.nav.addEventListener('mouseout', (e) => this.handleNavHover(e, false));
+        this.nav.addEventListener('mousemove', (e) => this.trackMouse(e));
+        this.nav.addEventListener('focusin', (e) => this.handleNavFocusin(e));
+        this.nav.addEventListener('focusout', (e) => this.handleNavFocusout(e));
+      }
 
       // Mobile toggle
       if (this.mobileToggle && this.mobileMenu) {
@@ -92,22 +141,87 @@
         this.overlay.addEventListener('click', () => this.closeAll());
       }
 
-      // Escape key to close
-      document.addEventListener('keydown', (e) => {
+      // Document and window listeners are kept so destroy() can remove them
+      this.handleDocumentKeydown = (e) => {
+        // Escape key to close
         if (e.key === 'Escape') {
           this.closeAll();
         }
-      });
+      };
+
+      this.handleDocumentClick = (e) => {
+        // Click outside to close dropdowns (unless held open by the theme editor)
+        if (this.selectedBlockItem) return;
 
-      // Click outside to close dropdowns
-      document.addEventListener('click', (e) => {
         if (!this.header.contains(e.target) && !this.mobileMenu?.contains(e.target)) {
           this.closeAllDropdowns();
         }
-      });
+      };
+
+      this.handleWindowResize = () => this.handleResize();
+
+      document.addEventListener('keydown', this.handleDocumentKeydown);
+      document.addEventListener('click', this.handleDocumentClick);
+      window.addEventListener('resize', this.handleWindowResize);
+    }
+
+    // Delegated Nav Handlers
+    getDropdownParts(target) {
+      const item = target.closest('[data-mega-dropdown]');
+      if (!item || !this.nav.contains(item)) return {};
+
+      return { item, panel: item.querySelector('[data-dropdown-panel]') };
+    }
+
+    handleNavClick(e) {
+      const toggle = e.target.closest('[data-dropdown-toggle]');
+      if (!toggle) return;
 
-      // Resize handler
-      window.addEventListener('resize', () => this.handleResize());
+      const { item, panel } = this.getDropdownParts(toggle);
+      if (panel) this.handleDropdownClick(e, item, panel);
+    }
+
+    // mouseenter/mouseleave don't bubble, so filter mouseover/mouseout
+    // to moves that cross an item's boundary
+    handleNavHover(e, entering) {
+      const { item, panel } = this.getDropdownParts(e.target);
+      if (!panel || item.contains(e.relatedTarget)) return;
+
+      if (entering) {
+        this.loadPanel(panel);
+        this.handleDropdownEnter(item, panel);
+      } else {
+        this.handleDropdownLeave();
+      }
+    }
+
+    handleNavFocusin(e) {
+      const menuItem = e.target.closest('[data-menubar-item]');
+      if (!menuItem) return;
+
+      this.setRovingItem(menuItem);
+
+      const { panel } = this.getDropdownParts(menuItem);
+      if (panel) this.loadPanel(panel);
+    }
+
+    // Tabbing out of the menubar closes any open panel
+    handleNavFocusout(e) {
+      if (!e.relatedTarget || this.nav.contains(e.relatedTarget) || this.selectedBlockItem) return;
+
+      this.closeAllDropdowns();
+    }
+
+    handleNavKeydown(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+      const { panel } = this.getDropdownParts(e.target);
+
+      if (panel?.contains(e.target)) {
+        this.handlePanelKeydown(e);
+      } else if (e.target.closest('[data-menubar-item]')) {
+        this.handleMenubarKeydown(e);
+      }
     }
 
     // Desktop Dropdown Handlers
@@ -116,18 +230,29 @@
 
       clearTimeout(this.hoverTimeout);
 
+      // Back over the open item (e.g. reaching its panel): cancel any pending switch
+      if (item === this.activeDropdown) return;
+
+      // Heading for the open panel across this item: hold off and check again
+      const aimDelay = this.getAimDelay();
+      if (aimDelay) {
+        this.hoverTimeout = setTimeout(() => this.handleDropdownEnter(item, panel), aimDelay);
+        return;
+      }
+
       this.hoverTimeout = setTimeout(() => {
         this.openDropdown(item, panel);
       }, CONFIG.hoverDelay);
     }
 
-    handleDropdownLeave(item, panel) {
-      if (!this.isDesktop) return;
+    handleDropdownLeave() {
+      if (!this.isDesktop || this.selectedBlockItem) return;
 
       clearTimeout(this.hoverTimeout);
 
+      // Close whichever panel is open: with menu aim it may not be this item's
       this.hoverTimeout = setTimeout(() => {
-        this.closeDropdown(item, panel);
+        this.closeAllDropdowns();
       }, CONFIG.hoverOutDelay);
     }
 
@@ -144,34 +269,338 @@
       }
     }
 
-    handleDropdownKeydown(e, item, panel) {
-      const toggle = item.querySelector('[data-dropdown-toggle]');
+    // Menu Aim
+    trackMouse(e) {
+      if (!this.menuAim || !this.isDesktop) return;
+
+      this.mouseLocations.push({ x: e.clientX, y: e.clientY });
+
+      if (this.mouseLocations.length > CONFIG.menuAimHistory) {
+        this.mouseLocations.shift();
+      }
+    }
+
+    /**
+     * How long to wait before switching away from the open panel. Non-zero
+     * while the pointer moves into the triangle between where it was and the
+     * panel's top edge, i.e. toward the panel.
+     * @returns {number} - Delay in ms, 0 to switch now
+     */
+    getAimDelay() {
+      const panel = this.activeDropdown?.querySelector('[data-dropdown-panel]');
+      const location = this.mouseLocations[this.mouseLocations.length - 1];
+      const previous = this.mouseLocations[0];
+
+      if (!this.menuAim || !panel || !location || !previous) return 0;
+      if (location.x === previous.x && location.y === previous.y) return 0;
+
+      // The pointer stopped since the last check, so it isn't heading anywhere
+      if (this.lastAimLocation &&
+          this.lastAimLocation.x === location.x &&
+          this.lastAimLocation.y === location.y) {
+        return 0;
+      }
+
+      const rect = panel.getBoundingClientRect();
+      const left = { x: rect.left - CONFIG.menuAimTolerance, y: rect.top };
+      const right = { x: rect.right + CONFIG.menuAimTolerance, y: rect.top };
+
+      if (isInTriangle(location, previous, left, right)) {
+        this.lastAimLocation = location;
+        return CONFIG.menuAimDelay;
+      }
+
+      this.lastAimLocation = null;
+      return 0;
+    }
+
+    // Prefetch
+    prefetchPanelLinks(panel) {
+      if (!this.prefetchLinks) return;
+
+      const urls = [...panel.querySelectorAll('a[href]')]
+        .map(link => new URL(link.href, window.location.origin))
+        .filter(url => url.origin === window.location.origin && url.pathname !== window.location.pathname)
+        .slice(0, CONFIG.prefetchLimit);
+
+      urls.forEach(url => {
+        if (this.prefetchedUrls.has(url.href)) return;
+
+        this.prefetchedUrls.add(url.href);
+
+        const hint = document.createElement('link');
+        hint.rel = 'prefetch';
+        hint.href = url.href;
+        document.head.appendChild(hint);
+      });
+    }
+
+    // Lazy Panels
+    /**
+     * Fill a lazy panel from the session cache, or fetch every panel at once
+     * with the Section Rendering API
+     * @param {HTMLElement} panel - Dropdown panel
+     * @returns {Promise<void>} - Resolves once the panel has content
+     */
+    async loadPanel(panel) {
+      if (!panel.hasAttribute('data-lazy-panel')) return;
+
+      try {
+        const panels = this.getCachedPanels() || await this.fetchPanels();
+        const html = panels[panel.id];
+
+        // Another load may have filled it while this one waited
+        if (html === undefined || !panel.hasAttribute('data-lazy-panel')) return;
+
+        panel.innerHTML = html;
+        panel.removeAttribute('data-lazy-panel');
+        panel.setAttribute('aria-busy', 'false');
+      } catch (error) {
+        // Keep the skeleton; the next hover or focus retries
+        console.error('Mega menu panel error:', error);
+      }
+    }
+
+    fetchPanels() {
+      if (this.panelsRequest) return this.panelsRequest;
+
+      const url = `${window.location.pathname}${window.location.search}`;
+
+      this.panelsRequest = window.theme.Utils.fetchSection(this.sectionId, url)
+        .then(html => {
+          const doc = new DOMParser().parseFromString(html, 'text/html');
+          const panels = {};
+
+          // Only panels rendered in full; a shell here would never fill in
+          doc.querySelectorAll('[data-dropdown-panel]:not([data-lazy-panel])').forEach(panel => {
+            panels[panel.id] = panel.innerHTML;
+          });
+
+          this.setCachedPanels(panels);
+          return panels;
+        })
+        .finally(() => {
+          this.panelsRequest = null;
+        });
+
+      return this.panelsRequest;
+    }
+
+    // Panels hold translated labels and links, so a locale or market switch
+    // must not reuse another storefront's copy
+    getPanelCacheKey() {
+      const { locale = '', country = '', routes } = window.Shopify || {};
+
+      return [CONFIG.panelCachePrefix + this.sectionId, locale, country, routes?.root || '/'].join(':');
+    }
+
+    getCachedPanels() {
+      try {
+        return JSON.parse(sessionStorage.getItem(this.getPanelCacheKey()));
+      } catch (e) {
+        return null;
+      }
+    }
+
+    setCachedPanels(panels) {
+      try {
+        sessionStorage.setItem(this.getPanelCacheKey(), JSON.stringify(panels));
+      } catch (e) {
+        // Storage full or unavailable; panels are fetched again next page
+      }
+    }
+
+    // Menubar Keyboard Model
+    handleMenubarKeydown(e) {
+      const menuItem = e.target.closest('[data-menubar-item]');
+      const index = this.menubarItems.indexOf(menuItem);
+      const { item, panel } = this.getDropdownParts(menuItem);
 
       switch (e.key) {
+        case 'ArrowRight':
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.moveToMenubarItem(index + (e.key === 'ArrowRight' ? 1 : -1));
+          break;
+
+        case 'Home':
+          e.preventDefault();
+          this.moveToMenubarItem(0);
+          break;
+
+        case 'End':
+          e.preventDefault();
+          this.moveToMenubarItem(this.menubarItems.length - 1);
+          break;
+
         case 'Enter':
         case ' ':
+          if (!panel) return;
           e.preventDefault();
-          this.handleDropdownClick(e, item, panel);
+
+          if (item.hasAttribute('data-dropdown-open')) {
+            this.closeDropdown(item, panel);
+          } else {
+            this.openDropdown(item, panel);
+            this.focusPanelItem(item, panel, 0);
+          }
           break;
 
         case 'ArrowDown':
+        case 'ArrowUp': {
+          if (!panel) return;
           e.preventDefault();
+
           if (!item.hasAttribute('data-dropdown-open')) {
             this.openDropdown(item, panel);
           }
-          // Focus first link in dropdown
-          const firstLink = panel.querySelector('a, button');
-          if (firstLink) firstLink.focus();
+
+          this.focusPanelItem(item, panel, e.key === 'ArrowDown' ? 0 : -1);
+          break;
+        }
+
+        default:
+          if (this.isTypeaheadKey(e)) {
+            e.preventDefault();
+            this.focusByCharacter(this.menubarItems, menuItem, e.key);
+          }
+      }
+    }
+
+    handlePanelKeydown(e) {
+      const { item, panel } = this.getDropdownParts(e.target);
+      const current = e.target.closest('[role="menuitem"]');
+      const columns = this.getPanelColumns(panel);
+      const columnIndex = columns.findIndex(column => column.includes(current));
+      const column = columns[columnIndex] || [];
+      const index = column.indexOf(current);
+      const menubarIndex = this.menubarItems.indexOf(item.querySelector('[data-menubar-item]'));
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          column[(index + 1) % column.length]?.focus();
           break;
 
         case 'ArrowUp':
           e.preventDefault();
+          column[(index - 1 + column.length) % column.length]?.focus();
+          break;
+
+        case 'ArrowRight':
+        case 'ArrowLeft': {
+          e.preventDefault();
+          const step = e.key === 'ArrowRight' ? 1 : -1;
+          const nextColumn = columns[columnIndex + step];
+
+          // Past the outer columns, move along the menubar instead
+          if (nextColumn) {
+            nextColumn[Math.min(index, nextColumn.length - 1)].focus();
+          } else {
+            this.moveToMenubarItem(menubarIndex + step);
+          }
+          break;
+        }
+
+        case 'Home':
+          e.preventDefault();
+          column[0]?.focus();
+          break;
+
+        case 'End':
+          e.preventDefault();
+          column[column.length - 1]?.focus();
+          break;
+
+        case 'Escape':
+          // Handled here so focus returns to the toggle, not the whole header
+          e.preventDefault();
+          e.stopPropagation();
           this.closeDropdown(item, panel);
-          toggle?.focus();
+          this.menubarItems[menubarIndex]?.focus();
           break;
+
+        default:
+          if (this.isTypeaheadKey(e)) {
+            e.preventDefault();
+            this.focusByCharacter(this.getPanelItems(panel), current, e.key);
+          }
       }
     }
 
+    /**
+     * Focus a top-level item, wrapping at either end. An open panel follows
+     * focus, matching the menubar pattern.
+     * @param {number} index - Index in this.menubarItems
+     */
+    moveToMenubarItem(index) {
+      const count = this.menubarItems.length;
+      if (count === 0) return;
+
+      const menuItem = this.menubarItems[(index + count) % count];
+      const wasOpen = Boolean(this.activeDropdown);
+
+      this.closeAllDropdowns();
+      menuItem.focus();
+
+      if (wasOpen) {
+        const { item, panel } = this.getDropdownParts(menuItem);
+        if (panel) this.openDropdown(item, panel);
+      }
+    }
+
+    setRovingItem(menuItem) {
+      this.menubarItems.forEach(other => {
+        other.tabIndex = other === menuItem ? 0 : -1;
+      });
+    }
+
+    /**
+     * Focus an item in a panel once its content is loaded
+     * @param {HTMLElement} item - Dropdown item
+     * @param {HTMLElement} panel - Dropdown panel
+     * @param {number} index - Item index, negative counts from the end
+     */
+    async focusPanelItem(item, panel, index) {
+      await this.loadPanel(panel);
+      if (!item.hasAttribute('data-dropdown-open')) return;
+
+      const panelItems = this.getPanelItems(panel);
+      panelItems[index < 0 ? panelItems.length + index : index]?.focus();
+    }
+
+    getPanelItems(panel) {
+      return [...panel.querySelectorAll('[role="menuitem"]')];
+    }
+
+    // Each column is the list of menu items it contains, in DOM order
+    getPanelColumns(panel) {
+      return [...panel.querySelectorAll('[data-dropdown-column]')]
+        .map(column => [...column.querySelectorAll('[role="menuitem"]')])
+        .filter(column => column.length > 0);
+    }
+
+    isTypeaheadKey(e) {
+      return e.key.length === 1 && /\S/.test(e.key);
+    }
+
+    /**
+     * Focus the next item whose label starts with a character, searching
+     * after the current item and wrapping around
+     * @param {Array<HTMLElement>} items - Candidate items
+     * @param {HTMLElement} current - Currently focused item
+     * @param {string} character - Typed character
+     */
+    focusByCharacter(items, current, character) {
+      const start = items.indexOf(current) + 1;
+      const ordered = [...items.slice(start), ...items.slice(0, start)];
+      const match = ordered.find(item =>
+        item.textContent.trim().toLowerCase().startsWith(character.toLowerCase())
+      );
+
+      match?.focus();
+    }
+
     openDropdown(item, panel) {
       // Close other dropdowns
       this.closeAllDropdowns();
@@ -186,6 +615,10 @@
 
       this.activeDropdown = item;
 
+      this.loadPanel(panel).then(() => {
+        if (this.activeDropdown === item) this.prefetchPanelLinks(panel);
+      });
+
       // Show overlay on desktop
       if (this.isDesktop && this.overlay) {
         this.overlay.setAttribute('data-visible', '');
@@ -314,9 +747,326 @@
     closeSearch() {
       this.searchToggle.setAttribute('aria-expanded', 'false');
       this.searchPanel.hidden = true;
+      this.closePredictiveResults();
       this.searchToggle.focus();
     }
 
+    // Predictive Search
+    setupPredictiveSearch() {
+      if (!this.searchInput || !this.predictiveResults) return;
+
+      this.handleSearchInput = window.theme.Utils.debounce(() => this.updatePredictiveResults(), CONFIG.predictiveDelay);
+
+      this.searchInput.addEventListener('input', this.handleSearchInput);
+      this.searchInput.addEventListener('focus', () => {
+        if (!this.searchInput.value.trim()) this.renderRecentSearches();
+      });
+      this.searchInput.addEventListener('keydown', (e) => this.handlePredictiveKeydown(e));
+
+      this.searchForm?.addEventListener('submit', () => this.saveRecentSearch(this.searchInput.value));
+
+      this.predictiveResults.addEventListener('click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) this.selectPredictiveOption(option, e);
+      });
+    }
+
+    async updatePredictiveResults() {
+      const term = this.searchInput.value.trim();
+
+      this.predictiveController?.abort();
+
+      if (!term) {
+        this.renderRecentSearches();
+        return;
+      }
+
+      this.predictiveController = new AbortController();
+
+      const params = new URLSearchParams({
+        q: term,
+        'resources[type]': 'product,collection,page,article',
+        'resources[limit]': CONFIG.predictiveLimit
+      });
+      const root = window.Shopify?.routes?.root || '/';
+
+      try {
+        const data = await window.theme.Utils.fetchJSON(`${root}search/suggest.json?${params}`, {
+          signal: this.predictiveController.signal
+        });
+
+        this.renderPredictiveResults(term, data.resources?.results || {});
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        console.error('Predictive search error:', error);
+        this.closePredictiveResults();
+      }
+    }
+
+    renderPredictiveResults(term, results) {
+      const labels = this.predictiveResults.dataset;
+      const money = (price) => window.theme.Utils.formatMoney(Math.round(parseFloat(price) * 100));
+
+      const groups = [
+        {
+          key: 'products',
+          label: labels.labelProducts,
+          items: (results.products || []).map(product => ({
+            title: product.title,
+            url: product.url,
+            image: product.image || product.featured_image?.url,
+            meta: product.price ? money(product.price) : ''
+          }))
+        },
+        {
+          key: 'collections',
+          label: labels.labelCollections,
+          items: (results.collections || []).map(collection => ({
+            title: collection.title,
+            url: collection.url,
+            image: collection.featured_image?.url
+          }))
+        },
+        {
+          key: 'pages',
+          label: labels.labelPages,
+          items: (results.pages || []).map(page => ({ title: page.title, url: page.url }))
+        },
+        {
+          key: 'articles',
+          label: labels.labelArticles,
+          items: (results.articles || []).map(article => ({
+            title: article.title,
+            url: article.url,
+            image: article.image || article.featured_image?.url
+          }))
+        }
+      ].filter(group => group.items.length > 0);
+
+      const count = groups.reduce((total, group) => total + group.items.length, 0);
+      const searchUrl = `${window.Shopify?.routes?.root || '/'}search?q=${encodeURIComponent(term)}`;
+      const nodes = groups.map(group => this.createPredictiveGroup(group.key, group.label, group.items));
+
+      if (count === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'predictive-search__empty';
+        empty.textContent = labels.labelNoResults.replace('[terms]', term);
+        nodes.push(empty);
+      }
+
+      nodes.push(this.createPredictiveOption({
+        title: labels.labelViewAll.replace('[terms]', term),
+        url: searchUrl,
+        className: 'predictive-search__view-all',
+        term
+      }));
+
+      this.showPredictiveResults(nodes);
+      this.announce(count === 0
+        ? labels.labelNoResults.replace('[terms]', term)
+        : labels.labelResults.replace('[count]', count));
+    }
+
+    renderRecentSearches() {
+      const recent = this.getRecentSearches();
+
+      if (recent.length === 0) {
+        this.closePredictiveResults();
+        return;
+      }
+
+      const labels = this.predictiveResults.dataset;
+      const root = window.Shopify?.routes?.root || '/';
+      const group = this.createPredictiveGroup('recent', labels.labelRecent, recent.map(term => ({
+        title: term,
+        url: `${root}search?q=${encodeURIComponent(term)}`,
+        term
+      })));
+
+      group.appendChild(this.createPredictiveOption({
+        title: labels.labelClearRecent,
+        className: 'predictive-search__clear',
+        action: 'clear-recent'
+      }));
+
+      this.showPredictiveResults([group]);
+    }
+
+    createPredictiveGroup(key, label, items) {
+      const group = document.createElement('div');
+      group.className = `predictive-search__group predictive-search__group--${key}`;
+      group.setAttribute('role', 'group');
+
+      const heading = document.createElement('div');
+      heading.className = 'predictive-search__heading';
+      heading.id = `predictive-search-${key}`;
+      heading.setAttribute('role', 'presentation');
+      heading.textContent = label;
+
+      group.setAttribute('aria-labelledby', heading.id);
+      group.appendChild(heading);
+      items.forEach(item => group.appendChild(this.createPredictiveOption(item)));
+
+      return group;
+    }
+
+    createPredictiveOption({ title, url, image, meta, className, term, action }) {
+      const option = document.createElement(url ? 'a' : 'div');
+      option.className = `predictive-search__item${className ? ` ${className}` : ''}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.tabIndex = -1;
+
+      if (url) option.href = url;
+      if (term) option.dataset.term = term;
+      if (action) option.dataset.action = action;
+
+      if (image) {
+        const img = document.createElement('img');
+        img.className = 'predictive-search__image';
+        img.src = image;
+        img.alt = '';
+        img.width = 48;
+        img.height = 48;
+        img.loading = 'lazy';
+        option.appendChild(img);
+      }
+
+      const text = document.createElement('span');
+      text.className = 'predictive-search__title';
+      text.textContent = title;
+      option.appendChild(text);
+
+      if (meta) {
+        const metaEl = document.createElement('span');
+        metaEl.className = 'predictive-search__price';
+        metaEl.textContent = meta;
+        option.appendChild(metaEl);
+      }
+
+      return option;
+    }
+
+    showPredictiveResults(nodes) {
+      this.predictiveResults.replaceChildren(...nodes);
+      this.predictiveResults.querySelectorAll('[role="option"]').forEach((option, index) => {
+        option.id = `predictive-search-option-${index}`;
+      });
+
+      this.predictiveResults.hidden = false;
+      this.searchInput.setAttribute('aria-expanded', 'true');
+      this.setActiveOption(-1);
+    }
+
+    closePredictiveResults() {
+      if (!this.predictiveResults) return;
+
+      this.predictiveController?.abort();
+      this.predictiveResults.hidden = true;
+      this.predictiveResults.replaceChildren();
+      this.searchInput.setAttribute('aria-expanded', 'false');
+      this.setActiveOption(-1);
+    }
+
+    getPredictiveOptions() {
+      return this.predictiveResults.hidden ? [] : [...this.predictiveResults.querySelectorAll('[role="option"]')];
+    }
+
+    setActiveOption(index) {
+      const options = this.getPredictiveOptions();
+      this.activeOptionIndex = index;
+
+      options.forEach((option, i) => {
+        option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        option.classList.toggle('is-active', i === index);
+      });
+
+      if (options[index]) {
+        this.searchInput.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
+      } else {
+        this.searchInput.removeAttribute('aria-activedescendant');
+      }
+    }
+
+    handlePredictiveKeydown(e) {
+      const options = this.getPredictiveOptions();
+
+      switch (e.key) {
+        case 'ArrowDown':
+          if (options.length === 0) return;
+          e.preventDefault();
+          this.setActiveOption((this.activeOptionIndex + 1) % options.length);
+          break;
+
+        case 'ArrowUp':
+          if (options.length === 0) return;
+          e.preventDefault();
+          this.setActiveOption(this.activeOptionIndex <= 0 ? options.length - 1 : this.activeOptionIndex - 1);
+          break;
+
+        case 'Enter':
+          // Without an active option the form submits as usual
+          if (options[this.activeOptionIndex]) {
+            e.preventDefault();
+            this.selectPredictiveOption(options[this.activeOptionIndex], e);
+          }
+          break;
+
+        case 'Escape':
+          // First Escape closes the results, the next closes the panel
+          if (!this.predictiveResults.hidden) {
+            e.stopPropagation();
+            this.closePredictiveResults();
+          }
+          break;
+      }
+    }
+
+    selectPredictiveOption(option, e) {
+      if (option.dataset.action === 'clear-recent') {
+        e.preventDefault();
+        localStorage.removeItem(CONFIG.recentSearchesKey);
+        this.closePredictiveResults();
+        this.searchInput.focus();
+        return;
+      }
+
+      this.saveRecentSearch(option.dataset.term || this.searchInput.value);
+
+      // Clicks follow the link natively; keyboard selection navigates here
+      if (e.type === 'keydown') {
+        window.location.href = option.href;
+      }
+    }
+
+    getRecentSearches() {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.recentSearchesKey)) || [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    saveRecentSearch(term) {
+      const value = (term || '').trim();
+      if (!value) return;
+
+      const recent = this.getRecentSearches().filter(item => item.toLowerCase() !== value.toLowerCase());
+      recent.unshift(value);
+
+      try {
+        localStorage.setItem(CONFIG.recentSearchesKey, JSON.stringify(recent.slice(0, CONFIG.recentSearchesLimit)));
+      } catch (e) {
+        // Storage full or unavailable
+      }
+    }
+
+    announce(message) {
+      if (this.predictiveStatus) this.predictiveStatus.textContent = message;
+    }
+
     // Close all menus
     closeAll() {
       this.closeAllDropdowns();
@@ -370,56 +1120,45 @@
       // If switching between mobile/desktop, close everything
       if (wasDesktop !== this.isDesktop) {
         this.closeAll();
-        this.rebindDropdownEvents();
       }
     }
 
-    rebindDropdownEvents() {
-      // Re-initialize dropdown events based on viewport
-      this.dropdownItems.forEach(item => {
-        const clone = item.cloneNode(true);
-        item.parentNode.replaceChild(clone, item);
-      });
-
-      // Re-query and rebind
-      this.dropdownItems = this.header.querySelectorAll('[data-mega-dropdown]');
+    // Theme editor: keep the selected block's dropdown open until deselected
+    onBlockSelect(e) {
+      const item = e.target.closest('[data-mega-dropdown]');
+      const panel = item?.querySelector('[data-dropdown-panel]');
+      if (!panel || !this.header.contains(item)) return;
 
-      this.dropdownItems.forEach(item => {
-        const toggle = item.querySelector('[data-dropdown-toggle]');
-        const panel = item.querySelector('[data-dropdown-panel]');
+      clearTimeout(this.hoverTimeout);
+      this.selectedBlockItem = item;
+      this.openDropdown(item, panel);
+    }
 
-        if (this.isDesktop) {
-          item.addEventListener('mouseenter', () => this.handleDropdownEnter(item, panel));
-          item.addEventListener('mouseleave', () => this.handleDropdownLeave(item, panel));
-        }
+    onBlockDeselect() {
+      if (!this.selectedBlockItem) return;
 
-        if (toggle) {
-          toggle.addEventListener('click', (e) => this.handleDropdownClick(e, item, panel));
-          toggle.addEventListener('keydown', (e) => this.handleDropdownKeydown(e, item, panel));
-        }
-      });
+      this.selectedBlockItem = null;
+      this.closeAllDropdowns();
     }
-  }
 
-  // Initialize
-  function init() {
-    const headers = document.querySelectorAll('[data-mega-header]');
-    headers.forEach(header => new MegaMenuHeader(header));
-  }
+    // Cleanup (theme editor section unload)
+    destroy() {
+      clearTimeout(this.hoverTimeout);
+      this.removeFocusTrap();
+      document.body.classList.remove('mega-menu-open');
 
-  // Run on DOM ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+      document.removeEventListener('keydown', this.handleDocumentKeydown);
+      document.removeEventListener('click', this.handleDocumentClick);
+      window.removeEventListener('resize', this.handleWindowResize);
 
-  // Re-init on Shopify section load (Theme Editor)
-  document.addEventListener('shopify:section:load', (e) => {
-    const header = e.target.querySelector('[data-mega-header]');
-    if (header) {
-      new MegaMenuHeader(header);
+      this.predictiveController?.abort();
     }
+  }
+
+  // Mounted per header; the registry handles theme editor events
+  window.theme.Components.register('mega-menu-header', {
+    selector: '[data-mega-header]',
+    component: MegaMenuHeader
   });
 
 })();
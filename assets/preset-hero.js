@@ -66,11 +66,11 @@
 
       // Use Intersection Observer for performance
       if ('IntersectionObserver' in window) {
-        const observer = new IntersectionObserver(this.handleStatsIntersection, {
+        this.statsObserver = new IntersectionObserver(this.handleStatsIntersection, {
           threshold: 0.5,
           rootMargin: '0px'
         });
-        observer.observe(this.statsContainer);
+        this.statsObserver.observe(this.statsContainer);
       } else {
         // Fallback for older browsers
         this.animateStats();
@@ -285,6 +285,10 @@
      * Cleanup
      */
     destroy() {
+      if (this.statsObserver) {
+        this.statsObserver.disconnect();
+      }
+
       if (this.mediaWrapper) {
         this.mediaWrapper.removeEventListener('mousemove', this.handleShowcaseMouseMove);
         this.mediaWrapper.removeEventListener('mouseleave', this.handleShowcaseMouseLeave);
@@ -305,46 +309,12 @@
   }
 
   /**
-   * Initialize Hero Sections
-   */
-  function initHeroSections() {
-    const heroSections = document.querySelectorAll('[data-section-type="hero"]');
-    
-    heroSections.forEach(section => {
-      new HeroSection(section);
-    });
-  }
-
-  /**
-   * Shopify Section Events
-   * Handle theme editor events for live preview
+   * Register with the theme component registry, which mounts one instance
+   * per hero and handles theme editor load/unload events
    */
-  if (window.Shopify && window.Shopify.designMode) {
-    document.addEventListener('shopify:section:load', function(event) {
-      if (event.target.querySelector('[data-section-type="hero"]')) {
-        initHeroSections();
-      }
-    });
-
-    document.addEventListener('shopify:section:unload', function(event) {
-      const heroSection = event.target.querySelector('[data-section-type="hero"]');
-      if (heroSection && heroSection._heroInstance) {
-        heroSection._heroInstance.destroy();
-      }
-    });
-
-    document.addEventListener('shopify:section:reorder', function() {
-      initHeroSections();
-    });
-  }
-
-  /**
-   * Initialize on DOM Ready
-   */
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initHeroSections);
-  } else {
-    initHeroSections();
-  }
+  window.theme.Components.register('hero', {
+    selector: '[data-section-type="hero"]',
+    component: HeroSection
+  });
 
 })();
@@ -2,20 +2,27 @@
  * Newsletter CTA Section JavaScript
  * Zebra Skimmers Theme
  * 
- * Handles form submission with success/error states
+ * Handles form submission with success/error states.
+ * Shopify customer forms are posted over fetch; custom form actions submit natively.
  */
 
 (function() {
   'use strict';
 
+  const MESSAGE_DURATION = 5000;
+
   class NewsletterCTA {
     constructor(section) {
       this.section = section;
       this.form = section.querySelector('[data-newsletter-form]');
       this.input = this.form ? this.form.querySelector('input[type="email"]') : null;
+      this.honeypot = this.form ? this.form.querySelector('[data-honeypot]') : null;
       this.submitBtn = this.form ? this.form.querySelector('button[type="submit"]') : null;
       this.successMsg = section.querySelector('[data-success-message]');
+      this.subscribedMsg = section.querySelector('[data-subscribed-message]');
       this.errorMsg = section.querySelector('[data-error-message]');
+      this.messageTimer = null;
+      this.handleSubmit = this.handleSubmit.bind(this);
       
       if (this.form) {
         this.bindEvents();
@@ -23,16 +30,32 @@
     }
 
     bindEvents() {
-      this.form.addEventListener('submit', this.handleSubmit.bind(this));
+      this.form.addEventListener('submit', this.handleSubmit);
     }
 
-    handleSubmit(event) {
-      event.preventDefault();
-      
+    destroy() {
+      clearTimeout(this.messageTimer);
+      this.form?.removeEventListener('submit', this.handleSubmit);
+    }
+
+    async handleSubmit(event) {
       const email = this.input.value.trim();
       
       if (!this.validateEmail(email)) {
-        this.showError();
+        event.preventDefault();
+        this.showMessage(this.errorMsg);
+        return;
+      }
+
+      // Custom form actions (third-party providers) submit normally
+      if (!this.form.hasAttribute('data-newsletter-ajax')) return;
+
+      event.preventDefault();
+
+      // Scripts that fill every field also fill the honeypot: report success
+      // without sending anything
+      if (this.honeypot && this.honeypot.value) {
+        this.showMessage(this.successMsg);
         return;
       }
 
@@ -41,15 +64,54 @@
       const originalText = this.submitBtn.innerHTML;
       this.submitBtn.innerHTML = 'Sending...';
 
-      // Simulate API call (replace with actual submission logic)
-      // For actual Shopify newsletter, you would submit to /contact
-      setTimeout(() => {
-        // Simulate success
-        this.showSuccess();
-        this.input.value = '';
-        this.submitBtn.disabled = false;
-        this.submitBtn.innerHTML = originalText;
-      }, 1000);
+      try {
+        const response = await fetch(this.form.action, {
+          method: 'POST',
+          body: new FormData(this.form),
+          headers: { 'Accept': 'text/html' }
+        });
+
+        const status = await this.getSubmissionStatus(response);
+
+        if (status === 'challenge') {
+          // Let Shopify show its captcha page; the signup completes there
+          this.form.submit();
+          return;
+        }
+
+        if (status === 'success') {
+          this.showMessage(this.successMsg);
+          this.input.value = '';
+        } else if (status === 'subscribed') {
+          this.showMessage(this.subscribedMsg);
+        } else {
+          this.showMessage(this.errorMsg);
+        }
+      } catch (error) {
+        console.error('Newsletter signup error:', error);
+        this.showMessage(this.errorMsg);
+      }
+
+      this.submitBtn.disabled = false;
+      this.submitBtn.innerHTML = originalText;
+    }
+
+    /**
+     * Work out how Shopify handled the customer form post
+     * @param {Response} response - Response to the form post (redirects followed)
+     * @returns {Promise<string>} success, subscribed, challenge or error
+     */
+    async getSubmissionStatus(response) {
+      if (response.url.includes('/challenge')) return 'challenge';
+      if (!response.ok) return 'error';
+      if (response.url.includes('customer_posted=true')) return 'success';
+
+      // Errors re-render the page; this form reports its own status there
+      const html = await response.text();
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const statusEl = doc.querySelector(`#${CSS.escape(this.form.id)} [data-form-status]`);
+
+      return (statusEl && statusEl.dataset.formStatus) || 'error';
     }
 
     validateEmail(email) {
@@ -57,52 +119,31 @@
       return regex.test(email);
     }
 
-    showSuccess() {
+    showMessage(messageEl) {
       this.hideMessages();
-      this.successMsg.hidden = false;
-      
-      // Auto-hide after delay
-      setTimeout(() => {
-        this.successMsg.hidden = true;
-      }, 5000);
-    }
+      if (!messageEl) return;
 
-    showError() {
-      this.hideMessages();
-      this.errorMsg.hidden = false;
+      messageEl.hidden = false;
       
       // Auto-hide after delay
-      setTimeout(() => {
-        this.errorMsg.hidden = true;
-      }, 5000);
+      this.messageTimer = setTimeout(() => {
+        messageEl.hidden = true;
+      }, MESSAGE_DURATION);
     }
 
     hideMessages() {
-      this.successMsg.hidden = true;
-      this.errorMsg.hidden = true;
-    }
-  }
-
-  // Initialize
-  function initNewsletterCTAs() {
-    document.querySelectorAll('[data-section-type="newsletter-cta"]').forEach(section => {
-      new NewsletterCTA(section);
-    });
-  }
+      clearTimeout(this.messageTimer);
 
-  // Shopify theme editor support
-  if (window.Shopify && window.Shopify.designMode) {
-    document.addEventListener('shopify:section:load', function(event) {
-      if (event.target.querySelector('[data-section-type="newsletter-cta"]')) {
-        initNewsletterCTAs();
-      }
-    });
+      [this.successMsg, this.subscribedMsg, this.errorMsg].forEach(el => {
+        if (el) el.hidden = true;
+      });
+    }
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initNewsletterCTAs);
-  } else {
-    initNewsletterCTAs();
-  }
+  // Mounted per section; the registry handles theme editor events
+  window.theme.Components.register('newsletter-cta', {
+    selector: '[data-section-type="newsletter-cta"]',
+    component: NewsletterCTA
+  });
 
 })();
@@ -2,48 +2,61 @@
  * Product Grid Section JavaScript
  * Zebra Skimmers Theme
  * 
- * Handles add-to-cart button feedback
+ * Handles add-to-cart through the theme Cart API with button feedback
  */
 
 (function() {
   'use strict';
 
+  const ICON_SPINNER = `
+    <svg class="spinner" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+      <path d="M12 2v4M12 18v4M4.93 4.93l2.83 2.83M16.24 16.24l2.83 2.83M2 12h4M18 12h4M4.93 19.07l2.83-2.83M16.24 7.76l2.83-2.83"/>
+    </svg>`;
+
+  const ICON_CHECK = `
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+      <polyline points="20 6 9 17 4 12"/>
+    </svg>`;
+
   class ProductGrid {
     constructor(section) {
       this.section = section;
       this.addButtons = section.querySelectorAll('[data-add-to-cart]');
+      this.handleAddToCart = this.handleAddToCart.bind(this);
       
       this.bindEvents();
     }
 
     bindEvents() {
       this.addButtons.forEach(button => {
-        button.addEventListener('click', this.handleAddToCart.bind(this));
+        button.addEventListener('click', this.handleAddToCart);
       });
     }
 
-    handleAddToCart(event) {
+    destroy() {
+      this.addButtons.forEach(button => {
+        button.removeEventListener('click', this.handleAddToCart);
+      });
+    }
+
+    async handleAddToCart(event) {
       const button = event.currentTarget;
+      const card = button.closest('.product-card');
       const originalText = button.innerHTML;
       
       // Disable button and show loading state
       button.disabled = true;
-      button.innerHTML = `
-        <svg class="spinner" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-          <path d="M12 2v4M12 18v4M4.93 4.93l2.83 2.83M16.24 16.24l2.83 2.83M2 12h4M18 12h4M4.93 19.07l2.83-2.83M16.24 7.76l2.83-2.83"/>
-        </svg>
-        Adding...
-      `;
-
-      // Simulate add to cart (replace with actual cart logic)
-      setTimeout(() => {
+      button.innerHTML = `${ICON_SPINNER} Adding...`;
+      this.hideError(card);
+
+      try {
+        // CartAPI publishes cart:updated for drawers and counters
+        await window.theme.CartAPI.add({
+          items: [this.getLineItem(button, card)]
+        }, { source: 'product-grid' });
+
         button.classList.add('is-added');
-        button.innerHTML = `
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-            <polyline points="20 6 9 17 4 12"/>
-          </svg>
-          Added!
-        `;
+        button.innerHTML = `${ICON_CHECK} Added!`;
 
         // Reset after delay
         setTimeout(() => {
@@ -51,30 +64,76 @@
           button.classList.remove('is-added');
           button.innerHTML = originalText;
         }, 2000);
-      }, 800);
+      } catch (error) {
+        console.error('Add to cart error:', error);
+
+        button.disabled = false;
+        button.innerHTML = originalText;
+        this.showError(card, this.getErrorMessage(error));
+      }
     }
-  }
 
-  // Initialize
-  function initProductGrids() {
-    document.querySelectorAll('[data-section-type="product-grid"]').forEach(section => {
-      new ProductGrid(section);
-    });
-  }
+    /**
+     * Build the line item from the button's variant and any inputs in the card
+     * @param {HTMLElement} button - Add to cart button
+     * @param {HTMLElement} card - Product card element
+     * @returns {Object}
+     */
+    getLineItem(button, card) {
+      const quantityInput = card?.querySelector('[name="quantity"]');
+      const item = {
+        id: Number(button.dataset.variantId),
+        quantity: Math.max(1, parseInt(quantityInput?.value, 10) || 1)
+      };
+
+      const properties = {};
+      card?.querySelectorAll('[name^="properties["]').forEach(input => {
+        if ((input.type === 'checkbox' || input.type === 'radio') && !input.checked) return;
+        if (input.value === '') return;
 
-  // Shopify theme editor support
-  if (window.Shopify && window.Shopify.designMode) {
-    document.addEventListener('shopify:section:load', function(event) {
-      if (event.target.querySelector('[data-section-type="product-grid"]')) {
-        initProductGrids();
+        properties[input.name.slice('properties['.length, -1)] = input.value;
+      });
+
+      if (Object.keys(properties).length) {
+        item.properties = properties;
       }
-    });
-  }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initProductGrids);
-  } else {
-    initProductGrids();
+      return item;
+    }
+
+    /**
+     * Map a Cart API error to a shopper-facing message
+     * @param {Error} error - Error thrown by CartAPI
+     * @returns {string}
+     */
+    getErrorMessage(error) {
+      // 422: sold out or quantity limit reached; Shopify supplies the reason.
+      // Queued: offline, and the service worker will retry the add.
+      if ((error.status === 422 || error.queued) && error.description) {
+        return error.description;
+      }
+
+      return 'Could not add to cart. Please try again.';
+    }
+
+    showError(card, message) {
+      const errorEl = card?.querySelector('[data-add-to-cart-error]');
+      if (!errorEl) return;
+
+      errorEl.textContent = message;
+      errorEl.hidden = false;
+    }
+
+    hideError(card) {
+      const errorEl = card?.querySelector('[data-add-to-cart-error]');
+      if (errorEl) errorEl.hidden = true;
+    }
   }
 
+  // Mounted per section; the registry handles theme editor events
+  window.theme.Components.register('product-grid', {
+    selector: '[data-section-type="product-grid"]',
+    component: ProductGrid
+  });
+
 })();
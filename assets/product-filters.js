@@ -1,6 +1,7 @@
 /**
  * Product Filters
- * Handles faceted filtering on collection pages
+ * Handles faceted filtering on collection pages.
+ * Results are fetched through the Section Rendering API and cached by URL.
  */
 
 class ProductFilters {
@@ -10,11 +11,24 @@ class ProductFilters {
     this.filterInputs = document.querySelectorAll("[data-filter-input]");
     this.sortSelect = document.querySelector("[data-sort-select]");
     this.clearButton = document.querySelector("[data-filters-clear]");
-    this.removeButtons = document.querySelectorAll("[data-filter-remove]");
+    this.sectionId = this.form?.closest("[data-section-id]")?.dataset.sectionId;
 
     // Debounce timer for price inputs
     this.debounceTimer = null;
 
+    // Section HTML keyed by URL (oldest dropped past the limit), and the
+    // request currently in flight
+    this.cache = new Map();
+    this.cacheLimit = 20;
+    this.pendingController = null;
+
+    // Staged mode (mobile drawer): changes are previewed until applied
+    this.staging = false;
+    this.stagedFromURL = null;
+
+    // Let popstate tell our own history entries apart from hash changes
+    window.history.replaceState({ ...window.history.state, url: this.getCurrentURL() }, "");
+
     this.bindEvents();
     this.initPriceSliders();
   }
@@ -39,17 +53,21 @@ class ProductFilters {
       this.clearFilters();
     });
 
-    // Remove individual filters
-    this.removeButtons.forEach((button) => {
-      button.addEventListener("click", (e) => {
-        e.preventDefault();
-        window.location.href = button.href;
-      });
+    // Remove individual filters (delegated, the list is re-rendered)
+    document.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-filter-remove]");
+      if (!button) return;
+
+      e.preventDefault();
+      window.location.href = button.href;
     });
 
     // Handle browser back/forward
-    window.addEventListener("popstate", () => {
-      window.location.reload();
+    window.addEventListener("popstate", (e) => {
+      if (!e.state?.url) return;
+
+      this.syncForm(new URLSearchParams(window.location.search));
+      this.renderURL(e.state.url);
     });
   }
 
@@ -106,6 +124,29 @@ class ProductFilters {
   async submitForm() {
     if (!this.form) return;
 
+    const url = this.buildURL();
+
+    if (this.staging) {
+      this.previewURL(url);
+      return;
+    }
+
+    if (!this.sectionId) {
+      window.location.href = url;
+      return;
+    }
+
+    const rendered = await this.renderURL(url);
+
+    // Update the URL without page reload
+    if (rendered) window.history.pushState({ url }, "", url);
+  }
+
+  /**
+   * Build the collection URL for the current form state
+   * @returns {string}
+   */
+  buildURL() {
     const formData = new FormData(this.form);
     const searchParams = new URLSearchParams();
 
@@ -116,81 +157,233 @@ class ProductFilters {
       }
     }
 
-    // Build the new URL
-    const url = `${window.location.pathname}?${searchParams.toString()}`;
+    const query = searchParams.toString();
+    return query ? `${window.location.pathname}?${query}` : window.location.pathname;
+  }
+
+  getCurrentURL() {
+    return `${window.location.pathname}${window.location.search}`;
+  }
 
+  /**
+   * Fetch (or read from cache) and render the section for a URL
+   * @param {string} url - Collection URL including filter params
+   * @returns {Promise<boolean>} false when superseded by a newer request
+   */
+  async renderURL(url) {
     // Show loading state
     this.showLoading();
 
     try {
-      // Fetch the filtered content
-      const response = await fetch(url, {
-        headers: {
-          "X-Requested-With": "XMLHttpRequest",
-        },
-      });
+      const html = await this.fetchSectionHTML(url);
+      this.renderSection(html);
+      return true;
+    } catch (error) {
+      // Superseded by a newer request
+      if (error.name === "AbortError") return false;
 
-      if (!response.ok) throw new Error("Network response was not ok");
+      console.error("Filter error:", error);
+      // Fallback to full page navigation
+      window.location.href = url;
+      return false;
+    } finally {
+      // A newer request in flight keeps the loading state
+      if (!this.pendingController) this.hideLoading();
+    }
+  }
 
-      const html = await response.text();
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, "text/html");
+  /**
+   * Get the collection section HTML for a URL, aborting any stale request
+   * @param {string} url - Collection URL including filter params
+   * @returns {Promise<string>}
+   */
+  async fetchSectionHTML(url) {
+    this.pendingController?.abort();
+    this.pendingController = null;
+
+    if (this.cache.has(url)) {
+      return this.cache.get(url);
+    }
 
-      // Update the product grid
-      const newGrid = doc.querySelector("[data-product-grid]");
-      if (newGrid && this.productGrid) {
-        this.productGrid.innerHTML = newGrid.innerHTML;
-      }
+    const controller = new AbortController();
+    this.pendingController = controller;
 
-      // Update the URL without page reload
-      window.history.pushState({}, "", url);
+    try {
+      const html = await window.theme.Utils.fetchSection(this.sectionId, url, {
+        signal: controller.signal,
+      });
+      this.cache.set(url, html);
 
-      // Update product count if present
-      const newCount = doc.querySelector(".collection-toolbar__count");
-      const currentCount = document.querySelector(".collection-toolbar__count");
-      if (newCount && currentCount) {
-        currentCount.textContent = newCount.textContent;
+      if (this.cache.size > this.cacheLimit) {
+        this.cache.delete(this.cache.keys().next().value);
       }
 
-      // Update active filters display
-      const newActiveFilters = doc.querySelector(".active-filters");
-      const currentActiveFilters = document.querySelector(".active-filters");
-      if (newActiveFilters) {
-        if (currentActiveFilters) {
-          currentActiveFilters.outerHTML = newActiveFilters.outerHTML;
-        } else {
-          // Insert after the form
-          this.form.insertAdjacentHTML("afterend", newActiveFilters.outerHTML);
-        }
-        // Rebind remove buttons
-        this.removeButtons = document.querySelectorAll("[data-filter-remove]");
-        this.removeButtons.forEach((button) => {
-          button.addEventListener("click", (e) => {
-            e.preventDefault();
-            window.location.href = button.href;
-          });
-        });
-      } else if (currentActiveFilters) {
-        currentActiveFilters.remove();
+      return html;
+    } finally {
+      if (this.pendingController === controller) {
+        this.pendingController = null;
+      }
+    }
+  }
+
+  /**
+   * Patch the grid, count, active filters and pagination from section HTML
+   * @param {string} html - Section HTML from the Section Rendering API
+   */
+  renderSection(html) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+
+    // Update the product grid
+    const newGrid = doc.querySelector("[data-product-grid]");
+    if (newGrid && this.productGrid) {
+      this.productGrid.innerHTML = newGrid.innerHTML;
+    }
+
+    // Update product count if present
+    const newCount = doc.querySelector(".collection-toolbar__count");
+    const currentCount = document.querySelector(".collection-toolbar__count");
+    if (newCount && currentCount) {
+      currentCount.textContent = newCount.textContent;
+      if (newCount.dataset.productsCount !== undefined) {
+        currentCount.dataset.productsCount = newCount.dataset.productsCount;
       }
+    }
 
-      // Update pagination if present
-      const newPagination = doc.querySelector(".pagination");
-      const currentPagination = document.querySelector(".pagination");
-      if (newPagination && currentPagination) {
-        currentPagination.outerHTML = newPagination.outerHTML;
-      } else if (!newPagination && currentPagination) {
-        currentPagination.remove();
+    // Update active filters display
+    const newActiveFilters = doc.querySelector(".active-filters");
+    const currentActiveFilters = document.querySelector(".active-filters");
+    if (newActiveFilters) {
+      if (currentActiveFilters) {
+        currentActiveFilters.outerHTML = newActiveFilters.outerHTML;
+      } else {
+        // Insert after the form
+        this.form.insertAdjacentHTML("afterend", newActiveFilters.outerHTML);
       }
+    } else if (currentActiveFilters) {
+      currentActiveFilters.remove();
+    }
+
+    // Update pagination and load more controls if present
+    this.swapElement(doc, ".pagination", "afterend");
+    this.swapElement(doc, "[data-load-more]", "afterend");
+    this.swapElement(doc, "[data-load-previous]", "beforebegin");
+
+    window.theme.Events.dispatch("collection:rendered");
+  }
+
+  /**
+   * Replace, insert or remove an element next to the grid to match new section HTML
+   * @param {Document} doc - Parsed section HTML
+   * @param {string} selector - Element selector
+   * @param {string} position - Where to insert relative to the grid when missing
+   */
+  swapElement(doc, selector, position) {
+    const newElement = doc.querySelector(selector);
+    const currentElement = document.querySelector(selector);
+
+    if (newElement && currentElement) {
+      currentElement.outerHTML = newElement.outerHTML;
+    } else if (newElement && this.productGrid) {
+      this.productGrid.insertAdjacentHTML(position, newElement.outerHTML);
+    } else if (!newElement && currentElement) {
+      currentElement.remove();
+    }
+  }
+
+  /**
+   * Start collecting changes without updating the grid
+   */
+  startStaging() {
+    this.staging = true;
+    this.stagedFromURL = this.buildURL();
+  }
+
+  /**
+   * Leave staged mode and render the collected changes
+   */
+  applyStaged() {
+    clearTimeout(this.debounceTimer);
+    this.staging = false;
+
+    // stagedFromURL, not the current URL: load more adds ?page=, which
+    // buildURL drops, so an unchanged apply would reset to page 1
+    if (this.buildURL() !== this.stagedFromURL) {
+      this.submitForm();
+    }
+  }
+
+  /**
+   * Leave staged mode, discarding the collected changes
+   */
+  cancelStaging() {
+    // Leave staging first so the reset doesn't fetch a preview
+    this.staging = false;
+    this.resetStaged();
+  }
+
+  /**
+   * Restore the form to its state when staging started
+   */
+  resetStaged() {
+    if (!this.stagedFromURL) return;
+
+    clearTimeout(this.debounceTimer);
+    this.syncForm(new URL(this.stagedFromURL, window.location.origin).searchParams);
+
+    if (this.staging) this.previewURL(this.stagedFromURL);
+  }
+
+  /**
+   * Fetch the result count for a URL in the background.
+   * Emits filters:preview with { loading } and then { count } (null on failure).
+   * @param {string} url - Collection URL including filter params
+   */
+  async previewURL(url) {
+    if (!this.sectionId) return;
+
+    window.theme.Events.dispatch("filters:preview", { loading: true });
+
+    try {
+      const html = await this.fetchSectionHTML(url);
+      const doc = new DOMParser().parseFromString(html, "text/html");
+      const count = doc.querySelector("[data-products-count]")?.dataset.productsCount;
+
+      window.theme.Events.dispatch("filters:preview", { count: count === undefined ? 0 : Number(count) });
     } catch (error) {
-      console.error("Filter error:", error);
-      // Fallback to full page navigation
-      window.location.href = url;
-    } finally {
-      this.hideLoading();
+      // Superseded by a newer preview
+      if (error.name === "AbortError") return;
+
+      console.error("Filter preview error:", error);
+      window.theme.Events.dispatch("filters:preview", { count: null });
     }
   }
 
+  /**
+   * Reflect URL params in the form (back/forward navigation, staged reset)
+   * @param {URLSearchParams} params - Params to apply
+   */
+  syncForm(params) {
+    this.filterInputs.forEach((input) => {
+      if (input.type === "checkbox") {
+        input.checked = params.getAll(input.name).includes(input.value);
+      } else {
+        input.value = params.get(input.name) || "";
+      }
+    });
+
+    if (this.sortSelect) {
+      this.sortSelect.value = params.get("sort_by") || this.sortSelect.dataset.defaultSort;
+    }
+
+    const minSlider = document.querySelector("[data-price-slider-min]");
+    const maxSlider = document.querySelector("[data-price-slider-max]");
+    const minInput = document.querySelector("[data-price-min]");
+    const maxInput = document.querySelector("[data-price-max]");
+
+    if (minSlider) minSlider.value = minInput?.value || 0;
+    if (maxSlider) maxSlider.value = maxInput?.value || maxSlider.max;
+  }
+
   clearFilters() {
     // Navigate to collection URL without any params
     window.location.href = window.location.pathname;
@@ -207,13 +400,141 @@ class ProductFilters {
   }
 }
 
+// Load more button and infinite scroll
+class CollectionPagination {
+  constructor() {
+    this.observer = null;
+    this.isLoading = false;
+
+    this.bindEvents();
+    this.observe();
+  }
+
+  get productGrid() {
+    return document.querySelector("[data-product-grid]");
+  }
+
+  bindEvents() {
+    // Delegated, the controls are replaced after every page and filter change
+    document.addEventListener("click", (e) => {
+      const link = e.target.closest("[data-load-more-link]");
+      if (!link) return;
+
+      e.preventDefault();
+      this.loadPage(link.href, link.dataset.loadMoreLink, { focus: true });
+    });
+
+    // Filters re-render the grid and controls
+    window.theme.Events.subscribe("collection:rendered", () => this.observe());
+  }
+
+  /**
+   * Watch the next-page control in infinite scroll mode
+   */
+  observe() {
+    this.observer?.disconnect();
+
+    const control = document.querySelector('[data-load-more="infinite"]');
+    if (!control) return;
+
+    this.observer = new IntersectionObserver(
+      (entries) => {
+        if (!entries[0].isIntersecting) return;
+
+        const link = control.querySelector('[data-load-more-link="next"]');
+        if (link) this.loadPage(link.href, "next");
+      },
+      { rootMargin: "0px 0px 400px 0px" }
+    );
+
+    this.observer.observe(control);
+  }
+
+  /**
+   * Fetch a page of the collection and add its products to the grid
+   * @param {string} url - Page URL (keeps active filters and sorting)
+   * @param {string} direction - "next" appends, "previous" prepends
+   * @param {Object} options - { focus } moves focus to the first new product
+   */
+  async loadPage(url, direction, { focus = false } = {}) {
+    const grid = this.productGrid;
+    const sectionId = grid?.closest("[data-section-id]")?.dataset.sectionId;
+
+    if (this.isLoading || !grid) return;
+
+    if (!sectionId) {
+      window.location.href = url;
+      return;
+    }
+
+    const selector = direction === "previous" ? "[data-load-previous]" : "[data-load-more]";
+    const control = document.querySelector(selector);
+
+    this.isLoading = true;
+    control?.classList.add("is-loading");
+
+    try {
+      const html = await window.theme.Utils.fetchSection(sectionId, url);
+      const doc = new DOMParser().parseFromString(html, "text/html");
+      const items = [...(doc.querySelector("[data-product-grid]")?.children || [])];
+
+      if (direction === "previous") {
+        // Keep the shopper's place while content is added above
+        const anchor = grid.firstElementChild;
+        const anchorTop = anchor?.getBoundingClientRect().top;
+
+        grid.prepend(...items);
+
+        if (anchor) {
+          window.scrollBy(0, anchor.getBoundingClientRect().top - anchorTop);
+        }
+      } else {
+        grid.append(...items);
+
+        // Keep the furthest page in the URL so back navigation returns here
+        window.history.replaceState({ ...window.history.state, url }, "", url);
+      }
+
+      const newControl = doc.querySelector(selector);
+      if (newControl) {
+        control?.replaceWith(newControl);
+      } else {
+        control?.remove();
+      }
+
+      if (focus) {
+        items[0]?.querySelector("a")?.focus();
+      }
+    } catch (error) {
+      console.error("Load more error:", error);
+      // Fallback to full page navigation
+      window.location.href = url;
+    } finally {
+      this.isLoading = false;
+      control?.classList.remove("is-loading");
+    }
+
+    this.observe();
+  }
+}
+
 // Mobile filter toggle
 class MobileFilters {
-  constructor() {
+  constructor(filters) {
+    this.filters = filters;
     this.sidebar = document.querySelector(".collection-sidebar");
+    this.isStaged = Boolean(this.sidebar?.hasAttribute("data-staged-filters") && filters?.form);
+    this.labels = {
+      reset: this.sidebar?.dataset.labelReset || "Reset",
+      showResults: this.sidebar?.dataset.labelShowResults || "Show results",
+      showResultsOne: this.sidebar?.dataset.labelShowResultsOne || "Show [count] result",
+      showResultsOther: this.sidebar?.dataset.labelShowResultsOther || "Show [count] results"
+    };
     this.toggleButton = null;
     this.closeButton = null;
     this.backdrop = null;
+    this.applyButton = null;
+    this.resetButton = null;
 
     this.init();
   }
@@ -224,6 +545,7 @@ class MobileFilters {
     // Create toggle button for mobile
     this.createToggleButton();
     this.createBackdrop();
+    this.createDrawerFooter();
     this.bindEvents();
   }
 
@@ -322,6 +644,30 @@ class MobileFilters {
         opacity: 0.5;
         pointer-events: none;
       }
+
+      .filter-drawer-footer {
+        position: sticky;
+        bottom: 0;
+        display: flex;
+        gap: 0.75rem;
+        padding: 1rem 0;
+        background: var(--color-background);
+        border-top: 1px solid var(--color-border);
+      }
+
+      .filter-drawer-footer .button {
+        flex: 1;
+      }
+
+      .filter-drawer-footer [aria-busy="true"] {
+        opacity: 0.6;
+      }
+
+      @media (min-width: 64rem) {
+        .filter-drawer-footer {
+          display: none;
+        }
+      }
     `;
     document.head.appendChild(style);
   }
@@ -334,10 +680,35 @@ class MobileFilters {
     document.body.appendChild(this.backdrop);
   }
 
+  createDrawerFooter() {
+    if (!this.isStaged) return;
+
+    const footer = document.createElement("div");
+    footer.className = "filter-drawer-footer";
+    footer.innerHTML = `
+      <button type="button" class="button button--secondary" data-filter-reset></button>
+      <button type="button" class="button button--primary" data-filter-apply></button>
+    `;
+
+    this.sidebar.appendChild(footer);
+    this.resetButton = footer.querySelector("[data-filter-reset]");
+    this.applyButton = footer.querySelector("[data-filter-apply]");
+
+    // Labels are translated strings, so set as text rather than markup
+    this.resetButton.textContent = this.labels.reset;
+    this.applyButton.textContent = this.labels.showResults;
+  }
+
   bindEvents() {
     this.toggleButton?.addEventListener("click", () => this.open());
     this.closeButton?.addEventListener("click", () => this.close());
     this.backdrop?.addEventListener("click", () => this.close());
+    this.applyButton?.addEventListener("click", () => this.close({ apply: true }));
+    this.resetButton?.addEventListener("click", () => this.filters.resetStaged());
+
+    if (this.isStaged) {
+      window.theme.Events.subscribe("filters:preview", (e) => this.updateApplyButton(e.detail));
+    }
 
     document.addEventListener("keydown", (e) => {
       if (e.key === "Escape" && this.sidebar?.classList.contains("is-open")) {
@@ -346,21 +717,59 @@ class MobileFilters {
     });
   }
 
+  /**
+   * Show the live result count on the apply button
+   * @param {Object} detail - filters:preview detail ({ loading } or { count })
+   */
+  updateApplyButton({ loading = false, count } = {}) {
+    if (!this.applyButton) return;
+
+    this.applyButton.setAttribute("aria-busy", String(loading));
+    if (loading) return;
+
+    if (count === null || count === undefined) {
+      this.applyButton.textContent = this.labels.showResults;
+    } else {
+      const label = count === 1 ? this.labels.showResultsOne : this.labels.showResultsOther;
+      this.applyButton.textContent = label.replace("[count]", count);
+    }
+  }
+
   open() {
     this.sidebar?.classList.add("is-open");
     this.backdrop?.classList.add("is-visible");
     document.body.style.overflow = "hidden";
+
+    if (this.isStaged) {
+      this.filters.startStaging();
+
+      const count = document.querySelector("[data-products-count]")?.dataset.productsCount;
+      this.updateApplyButton({ count: count === undefined ? null : Number(count) });
+    }
   }
 
-  close() {
+  /**
+   * Close the drawer; staged changes are only kept when applied
+   * @param {Object} options - { apply } renders the staged changes
+   */
+  close({ apply = false } = {}) {
     this.sidebar?.classList.remove("is-open");
     this.backdrop?.classList.remove("is-visible");
     document.body.style.overflow = "";
+
+    if (this.isStaged && this.filters.staging) {
+      if (apply) {
+        this.filters.applyStaged();
+      } else {
+        this.filters.cancelStaging();
+      }
+    }
   }
 }
 
 // Initialize
 document.addEventListener("DOMContentLoaded", () => {
-  new ProductFilters();
-  new MobileFilters();
+  const filters = new ProductFilters();
+  new CollectionPagination();
+  new MobileFilters(filters);
 });
@@ -0,0 +1,331 @@
+/**
+ * Push Subscriptions JavaScript
+ * Zebra Skimmers Theme
+ *
+ * Subscribes shoppers to back-in-stock and price-drop notifications.
+ * - Permission is only requested from a shopper's click, in context
+ * - Subscriptions are POSTed with topic and product to a configurable endpoint
+ * - Topics are remembered per browser (localStorage); the account page lists
+ *   and removes this device's topics, not the customer's on other devices
+ *
+ * Configured from theme settings through window.theme.push:
+ * { vapidPublicKey, endpoint }
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'theme-push-topics';
+
+  /* ---- Helpers ---- */
+
+  // VAPID keys are URL-safe base64; PushManager wants raw bytes
+  function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = window.atob(base64);
+
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+  }
+
+  function getConfig() {
+    return window.theme.push || {};
+  }
+
+  function readTopics() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeTopics(topics) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(topics));
+  }
+
+  function isSameTopic(a, b) {
+    return a.topic === b.topic && String(a.productId || '') === String(b.productId || '');
+  }
+
+  /* ---- Subscription manager ---- */
+
+  const PushSubscriptions = {
+    /**
+     * Whether this browser and the theme settings allow push
+     * @returns {boolean}
+     */
+    isSupported() {
+      const { vapidPublicKey, endpoint } = getConfig();
+
+      return Boolean(vapidPublicKey && endpoint) &&
+        'serviceWorker' in navigator &&
+        'PushManager' in window &&
+        'Notification' in window;
+    },
+
+    /**
+     * Topics this browser is subscribed to
+     * @returns {Array<Object>} - [{ topic, productId, productTitle, createdAt }]
+     */
+    list() {
+      return readTopics();
+    },
+
+    /**
+     * Whether a topic is already subscribed
+     * @param {Object} topic - { topic, productId }
+     * @returns {boolean}
+     */
+    has(topic) {
+      return readTopics().some(item => isSameTopic(item, topic));
+    },
+
+    /**
+     * Ask for permission if needed, subscribe and register the topic.
+     * Must be called from a user gesture.
+     * @param {Object} topic - { topic, productId, productTitle }
+     * @returns {Promise<Object>} - The stored topic
+     */
+    async subscribe({ topic, productId = null, productTitle = '' }) {
+      if (!this.isSupported()) {
+        throw new Error('Push notifications are not supported');
+      }
+
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        const error = new Error('Notification permission was not granted');
+        error.permission = permission;
+        throw error;
+      }
+
+      const subscription = await this.getSubscription(true);
+      await this.send('subscribe', subscription, { topic, productId });
+
+      const entry = { topic, productId, productTitle, createdAt: new Date().toISOString() };
+      writeTopics([...readTopics().filter(item => !isSameTopic(item, entry)), entry]);
+
+      window.theme.Events.dispatch('push:subscribed', { ...entry });
+      return entry;
+    },
+
+    /**
+     * Remove a topic; the browser subscription is dropped with the last one
+     * @param {Object} topic - { topic, productId }
+     * @returns {Promise<void>}
+     */
+    async unsubscribe({ topic, productId = null }) {
+      const subscription = await this.getSubscription(false);
+
+      if (subscription) {
+        await this.send('unsubscribe', subscription, { topic, productId });
+      }
+
+      const remaining = readTopics().filter(item => !isSameTopic(item, { topic, productId }));
+      writeTopics(remaining);
+
+      if (remaining.length === 0 && subscription) {
+        await subscription.unsubscribe();
+      }
+
+      window.theme.Events.dispatch('push:unsubscribed', { topic, productId });
+    },
+
+    /**
+     * Get the browser's push subscription
+     * @param {boolean} create - Subscribe if there is none yet
+     * @returns {Promise<PushSubscription|null>}
+     */
+    async getSubscription(create) {
+      const registration = await navigator.serviceWorker.ready;
+      const existing = await registration.pushManager.getSubscription();
+
+      if (existing || !create) return existing;
+
+      return registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(getConfig().vapidPublicKey)
+      });
+    },
+
+    /**
+     * POST a subscription change to the configured endpoint
+     * @param {string} action - subscribe or unsubscribe
+     * @param {PushSubscription} subscription
+     * @param {Object} topic - { topic, productId }
+     * @returns {Promise<Object>}
+     */
+    send(action, subscription, { topic, productId }) {
+      return window.theme.Utils.fetchJSON(getConfig().endpoint, {
+        method: 'POST',
+        body: JSON.stringify({
+          action,
+          topic,
+          product_id: productId,
+          subscription: subscription.toJSON()
+        })
+      });
+    }
+  };
+
+  /* ---- Subscribe button ---- */
+
+  /**
+   * Button that subscribes to one topic, e.g. back in stock for a product.
+   * Labels come from data-label-subscribe, data-label-subscribed,
+   * data-label-error and data-label-blocked.
+   */
+  class PushSubscribeButton {
+    constructor(button) {
+      this.button = button;
+      this.status = button.parentElement.querySelector('[data-push-status]');
+      this.topic = {
+        topic: button.dataset.topic,
+        productId: button.dataset.productId || null,
+        productTitle: button.dataset.productTitle || ''
+      };
+      this.handleClick = this.handleClick.bind(this);
+
+      if (!PushSubscriptions.isSupported()) return;
+
+      this.button.hidden = false;
+      this.button.addEventListener('click', this.handleClick);
+      this.render();
+    }
+
+    async handleClick() {
+      this.button.disabled = true;
+      this.setStatus('');
+
+      try {
+        if (PushSubscriptions.has(this.topic)) {
+          await PushSubscriptions.unsubscribe(this.topic);
+        } else {
+          await PushSubscriptions.subscribe(this.topic);
+        }
+      } catch (error) {
+        console.error('Push subscription error:', error);
+        this.setStatus(error.permission === 'denied'
+          ? this.button.dataset.labelBlocked
+          : this.button.dataset.labelError);
+      } finally {
+        this.button.disabled = false;
+        this.render();
+      }
+    }
+
+    render() {
+      const subscribed = PushSubscriptions.has(this.topic);
+
+      this.button.setAttribute('aria-pressed', subscribed ? 'true' : 'false');
+      this.button.textContent = subscribed
+        ? this.button.dataset.labelSubscribed
+        : this.button.dataset.labelSubscribe;
+    }
+
+    setStatus(message) {
+      if (!this.status) return;
+
+      this.status.textContent = message || '';
+      this.status.hidden = !message;
+    }
+
+    destroy() {
+      this.button.removeEventListener('click', this.handleClick);
+    }
+  }
+
+  /* ---- Account list ---- */
+
+  /**
+   * Lists this browser's topics with a remove button each
+   */
+  class PushSubscriptionList {
+    constructor(container) {
+      this.container = container;
+      this.list = container.querySelector('[data-push-list]');
+      this.empty = container.querySelector('[data-push-empty]');
+      this.unsupported = container.querySelector('[data-push-unsupported]');
+      this.topicLabels = JSON.parse(container.dataset.topicLabels || '{}');
+      this.removeLabel = container.dataset.labelRemove || 'Remove';
+      this.handleClick = this.handleClick.bind(this);
+      this.render = this.render.bind(this);
+
+      if (!PushSubscriptions.isSupported()) {
+        if (this.unsupported) this.unsupported.hidden = false;
+        if (this.empty) this.empty.hidden = true;
+        return;
+      }
+
+      this.container.addEventListener('click', this.handleClick);
+      document.addEventListener('push:subscribed', this.render);
+      document.addEventListener('push:unsubscribed', this.render);
+      this.render();
+    }
+
+    async handleClick(e) {
+      const button = e.target.closest('[data-push-remove]');
+      if (!button) return;
+
+      const topic = this.list.children[button.dataset.pushRemove];
+      button.disabled = true;
+
+      try {
+        await PushSubscriptions.unsubscribe({
+          topic: topic.dataset.topic,
+          productId: topic.dataset.productId || null
+        });
+      } catch (error) {
+        console.error('Push unsubscribe error:', error);
+        button.disabled = false;
+      }
+    }
+
+    render() {
+      const topics = PushSubscriptions.list();
+
+      this.list.replaceChildren(...topics.map((entry, index) => {
+        const item = document.createElement('li');
+        item.className = 'push-subscriptions__item';
+        item.dataset.topic = entry.topic;
+        if (entry.productId) item.dataset.productId = entry.productId;
+
+        const label = document.createElement('span');
+        const topicLabel = this.topicLabels[entry.topic] || entry.topic;
+        label.textContent = entry.productTitle ? `${topicLabel}: ${entry.productTitle}` : topicLabel;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'push-subscriptions__remove';
+        remove.dataset.pushRemove = index;
+        remove.textContent = this.removeLabel;
+
+        item.append(label, remove);
+        return item;
+      }));
+
+      this.list.hidden = topics.length === 0;
+      if (this.empty) this.empty.hidden = topics.length > 0;
+    }
+
+    destroy() {
+      this.container.removeEventListener('click', this.handleClick);
+      document.removeEventListener('push:subscribed', this.render);
+      document.removeEventListener('push:unsubscribed', this.render);
+    }
+  }
+
+  window.theme.PushSubscriptions = PushSubscriptions;
+
+  // Mounted per element; the registry handles theme editor events
+  window.theme.Components.register('push-subscribe-button', {
+    selector: '[data-push-subscribe]',
+    component: PushSubscribeButton
+  });
+
+  window.theme.Components.register('push-subscription-list', {
+    selector: '[data-push-subscriptions]',
+    component: PushSubscriptionList
+  });
+
+})();